@@ -0,0 +1,214 @@
+/**
+ * Service Worker
+ * - Precaches the app shell + vendored libraries so the app works offline
+ * - Serves everything cache-first
+ * - New versions wait until the page asks to activate them ("update available")
+ * - Expiry reminders (reads the app's IndexedDB directly)
+ *
+ * Bump CACHE_VERSION on every deploy, otherwise clients keep the old files.
+ */
+
+const CACHE_VERSION = 'v4';
+const CACHE_NAME = `inventory-${CACHE_VERSION}`;
+
+const APP_SHELL = [
+    './',
+    './index.html',
+    './locations.html',
+    './app.js',
+    './style.css',
+    './manifest.json',
+    './icon-192.png',
+    './icon-512.png',
+    './vendor/feather.min.js',
+    './vendor/html5-qrcode.min.js',
+    './vendor/qrcode.min.js'
+];
+
+self.addEventListener('install', (event) => {
+    // No skipWaiting() here: the page shows a reload prompt and sends SKIP_WAITING
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => cache.addAll(APP_SHELL))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(k => k.startsWith('inventory-') && k !== CACHE_NAME).map(k => caches.delete(k))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const req = event.request;
+    if (req.method !== 'GET') return;
+
+    const url = new URL(req.url);
+    if (url.origin !== self.location.origin) return; // Let the browser handle anything external
+
+    event.respondWith(
+        // ignoreSearch so "index.html?x" still hits the precached shell
+        caches.match(req, { ignoreSearch: req.mode === 'navigate' }).then(cached => {
+            if (cached) return cached;
+
+            return fetch(req).then(res => {
+                // Cache new same-origin files as we see them
+                if (res.ok) {
+                    const copy = res.clone();
+                    caches.open(CACHE_NAME).then(cache => cache.put(req, copy));
+                }
+                return res;
+            }).catch(() => {
+                // Offline and not cached: fall back to the shell for page loads
+                if (req.mode === 'navigate') return caches.match('./index.html');
+                return Response.error();
+            });
+        })
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// --- EXPIRY REMINDERS ---
+// Runs on periodic background sync (where supported) and whenever the page asks
+// (CHECK_EXPIRY). The worker is the only writer of the 'notifyLog' meta record.
+const DB_NAME = 'inventory_db';
+
+function openDb() {
+    return new Promise((resolve) => {
+        const req = indexedDB.open(DB_NAME);
+        // The app hasn't created its database yet: don't create an empty one
+        req.onupgradeneeded = () => req.transaction.abort();
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => resolve(null);
+    });
+}
+
+function idbRequest(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+// Keep in sync with getBatchExpiry() in app.js
+function batchExpiry(batch) {
+    const dates = [];
+    if (batch.expiry) dates.push(new Date(batch.expiry));
+    if (batch.isOpened && batch.openedDate && batch.shelfLife) {
+        const openD = new Date(batch.openedDate);
+        openD.setMonth(openD.getMonth() + parseInt(batch.shelfLife));
+        dates.push(openD);
+    }
+    if (dates.length === 0) return null;
+    const d = new Date(Math.min(...dates));
+    d.setHours(0, 0, 0, 0);
+    return d;
+}
+
+function daysUntil(date) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return Math.ceil((date - today) / 86400000);
+}
+
+function localDate(d) {
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+async function checkExpiry() {
+    if (self.Notification && Notification.permission !== 'granted') return;
+    const db = await openDb();
+    if (!db) return;
+
+    try {
+        const tx = db.transaction(['items', 'meta'], 'readonly');
+        const items = await idbRequest(tx.objectStore('items').getAll());
+        const settingsRow = await idbRequest(tx.objectStore('meta').get('settings'));
+        const logRow = await idbRequest(tx.objectStore('meta').get('notifyLog'));
+
+        const settings = (settingsRow && settingsRow.value) || {};
+        if (!settings.notifyEnabled) return;
+
+        const lead = parseInt(settings.notifyLeadDays) || 0;
+        const log = (logRow && logRow.value) || { batches: {}, lastDigest: '' };
+
+        // Stocked batches inside the lead window (already expired ones included)
+        const due = [];
+        items.forEach(item => {
+            (item.batches || []).forEach(batch => {
+                if ((batch.quantity || 0) <= 0) return;
+                const exp = batchExpiry(batch);
+                if (!exp) return;
+                const days = daysUntil(exp);
+                if (days <= lead) due.push({ item, batch, days, key: `${item.id}:${batch.id}` });
+            });
+        });
+        due.sort((a, b) => a.days - b.days);
+
+        const describe = (d) => d.days < 0 ? `expired ${-d.days}d ago`
+            : d.days === 0 ? 'expires today' : `expires in ${d.days}d`;
+        const now = new Date();
+        const today = localDate(now);
+
+        if (settings.notifyDigest) {
+            // One summary a day, from the chosen hour on (no early return: the log is tidied below either way)
+            const hourReached = now.getHours() >= (parseInt(settings.digestHour) || 0);
+            if (due.length > 0 && log.lastDigest !== today && hourReached) {
+                const lines = due.slice(0, 5).map(d => `${d.item.name}: ${describe(d)}`);
+                if (due.length > 5) lines.push(`…and ${due.length - 5} more`);
+                await self.registration.showNotification(`${due.length} item(s) expiring soon`, {
+                    body: lines.join('\n'),
+                    tag: 'expiry-digest',
+                    icon: './icon-192.png',
+                    data: { url: './index.html' }
+                });
+                log.lastDigest = today;
+            }
+        } else {
+            // One notification per batch, the first time it enters the window
+            for (const d of due) {
+                if (log.batches[d.key]) continue;
+                await self.registration.showNotification(d.item.name, {
+                    body: describe(d),
+                    tag: `expiry-${d.key}`,
+                    icon: './icon-192.png',
+                    data: { url: './index.html' }
+                });
+                log.batches[d.key] = today;
+            }
+        }
+
+        // Drop log entries for batches that are gone, so the log doesn't grow forever
+        const live = new Set(due.map(d => d.key));
+        Object.keys(log.batches).forEach(k => { if (!live.has(k)) delete log.batches[k]; });
+
+        await idbRequest(db.transaction('meta', 'readwrite').objectStore('meta').put({ key: 'notifyLog', value: log }));
+    } finally {
+        db.close();
+    }
+}
+
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === 'expiry-check') event.waitUntil(checkExpiry());
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'CHECK_EXPIRY') event.waitUntil(checkExpiry());
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = (event.notification.data && event.notification.data.url) || './index.html';
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(list => {
+            const open = list.find(c => 'focus' in c);
+            return open ? open.focus() : self.clients.openWindow(url);
+        })
+    );
+});